@@ -1,39 +1,1348 @@
 (function() {
+  var SEGMENT_TYPES = ['pie', 'doughnut', 'polarArea'];
+  var CARTESIAN_TYPES = ['bar', 'line', 'scatter', 'bubble'];
+
+  var DEFAULT_EVENTS = {
+    click: true,
+    hover: false,
+    legend: false,
+    select: false,
+    brush: false,
+    brushDirection: 'xy',
+    mode: 'nearest',
+    intersect: true,
+    debounce: 100
+  };
+
+  var MAX_PENDING_MESSAGES = 500;
+
+  // Proxy messages that arrive before a widget has drawn its chart wait here,
+  // keyed by output id, and are replayed in order once the chart exists.
+  var pendingMessages = {};
+  var messageHandlers = {};
+  var debugMessages = false;
+
   function whenChartReady(success, failure, attempts) {
     var remaining = typeof attempts === 'number' ? attempts : 20;
 
-    if (typeof Chart !== 'undefined') {
-      success();
+    if (typeof Chart !== 'undefined') {
+      success();
+      return;
+    }
+
+    if (remaining <= 0) {
+      if (typeof failure === 'function') {
+        failure();
+      }
+      return;
+    }
+
+    setTimeout(function() {
+      whenChartReady(success, failure, remaining - 1);
+    }, 50);
+  }
+
+  function deepMerge(target, source) {
+    if (!source) {
+      return target;
+    }
+
+    Object.keys(source).forEach(function(key) {
+      var value = source[key];
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        target[key] = deepMerge(target[key] || {}, value);
+      } else {
+        target[key] = value;
+      }
+    });
+
+    return target;
+  }
+
+  function debounce(fn, wait) {
+    var timer = null;
+
+    return function() {
+      var args = arguments;
+      clearTimeout(timer);
+
+      if (!wait) {
+        fn.apply(null, args);
+        return;
+      }
+
+      timer = setTimeout(function() {
+        timer = null;
+        fn.apply(null, args);
+      }, wait);
+    };
+  }
+
+  function readOutputEvents(el) {
+    var attribute = el.getAttribute('data-chartjs-events');
+    if (!attribute) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(attribute);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Events find points the way the chart's own interaction options do,
+  // unless the output or the widget configures them explicitly.
+  function resolveEvents(el, events, interaction) {
+    var resolved = deepMerge({}, DEFAULT_EVENTS);
+    ['mode', 'intersect', 'axis'].forEach(function(key) {
+      if (interaction && interaction[key] !== undefined) {
+        resolved[key] = interaction[key];
+      }
+    });
+    deepMerge(resolved, readOutputEvents(el));
+    return deepMerge(resolved, events);
+  }
+
+  function sendInput(el, name, value, priority) {
+    if (!HTMLWidgets.shinyMode || !el.id || typeof Shiny === 'undefined' || !Shiny.setInputValue) {
+      return;
+    }
+
+    Shiny.setInputValue(el.id + '_' + name, value, priority ? { priority: priority } : undefined);
+  }
+
+  function logMessage(action, type, message) {
+    if (debugMessages && typeof console !== 'undefined') {
+      console.log('[chartjs] ' + action + ' ' + type, message);
+    }
+  }
+
+  function reportError(el, source, error) {
+    var text = error && error.message ? error.message : String(error);
+
+    if (debugMessages && typeof console !== 'undefined') {
+      console.error('[chartjs] ' + source + ' failed: ' + text, error);
+    }
+    sendInput(el, 'error', { message: text, source: source }, 'event');
+  }
+
+  function queueMessage(type, message) {
+    var queue = pendingMessages[message.id] || (pendingMessages[message.id] = []);
+
+    queue.push({ type: type, message: message });
+    if (queue.length > MAX_PENDING_MESSAGES) {
+      logMessage('dropped', queue[0].type, queue.shift().message);
+    }
+    logMessage('queued', type, message);
+  }
+
+  function runMessage(widget, type, message) {
+    logMessage('applied', type, message);
+
+    try {
+      messageHandlers[type](widget, message);
+    } catch (error) {
+      reportError(widget.el, type, error);
+    }
+  }
+
+  function deliverMessage(type, message) {
+    if (!message || !message.id) {
+      return;
+    }
+
+    var widget = typeof HTMLWidgets.find === 'function' ? HTMLWidgets.find('#' + message.id) : null;
+    if (!widget || !widget.getChart || !widget.getChart()) {
+      queueMessage(type, message);
+      return;
+    }
+
+    runMessage(widget, type, message);
+  }
+
+  function flushMessages(widget) {
+    var queue = pendingMessages[widget.el.id];
+    if (!queue) {
+      return;
+    }
+
+    delete pendingMessages[widget.el.id];
+    queue.forEach(function(entry) {
+      runMessage(widget, entry.type, entry.message);
+    });
+  }
+
+  // Options carried into a chart of another type. Cartesian scales only fit
+  // cartesian charts, and only bar and line charts can be horizontal.
+  function carryOptions(options, from, to) {
+    var carried = deepMerge({}, options);
+
+    if (CARTESIAN_TYPES.indexOf(from) === -1 || CARTESIAN_TYPES.indexOf(to) === -1) {
+      delete carried.scales;
+    }
+    if (to !== 'bar' && to !== 'line') {
+      delete carried.indexAxis;
+    }
+
+    return carried;
+  }
+
+  // Drops the settings of a time scale on `axis`, which no longer fit once
+  // its data are not dates. The scale gets `type`, or the default of the
+  // chart type when it is not given.
+  function resetTimeScale(options, axis, type) {
+    var scale = options && options.scales && options.scales[axis];
+    if (!scale || scale.type !== 'time') {
+      return;
+    }
+
+    delete scale.time;
+    delete scale.adapters;
+    if (type) {
+      scale.type = type;
+    } else {
+      delete scale.type;
+    }
+  }
+
+  function isSegmentChart(chart) {
+    return SEGMENT_TYPES.indexOf(chart.config.type) !== -1;
+  }
+
+  function describeElement(chart, item) {
+    var dataset = chart.data.datasets[item.datasetIndex] || {};
+    var labels = chart.data.labels;
+    var value = dataset.data ? dataset.data[item.index] : null;
+
+    var description = {
+      datasetIndex: item.datasetIndex,
+      index: item.index,
+      dataset: dataset.label !== undefined ? dataset.label : null,
+      value: value,
+      label: labels && labels.length > item.index ? labels[item.index] : null
+    };
+
+    // Downsampled points carry the row they came from in the original data.
+    if (value && typeof value === 'object' && value.row !== undefined) {
+      description.row = value.row;
+    }
+
+    return description;
+  }
+
+  function elementPosition(element) {
+    if (element && typeof element.tooltipPosition === 'function') {
+      return element.tooltipPosition(true);
+    }
+    return element;
+  }
+
+  function canvasPosition(canvas, event) {
+    var rect = canvas.getBoundingClientRect();
+    return {
+      x: event.clientX - rect.left,
+      y: event.clientY - rect.top
+    };
+  }
+
+  function clampToArea(position, area) {
+    return {
+      x: Math.min(Math.max(position.x, area.left), area.right),
+      y: Math.min(Math.max(position.y, area.top), area.bottom)
+    };
+  }
+
+  function isInsideArea(position, area) {
+    return position.x >= area.left && position.x <= area.right &&
+      position.y >= area.top && position.y <= area.bottom;
+  }
+
+  function findScale(chart, axis) {
+    var ids = Object.keys(chart.scales || {});
+    for (var i = 0; i < ids.length; i++) {
+      if (chart.scales[ids[i]].axis === axis) {
+        return chart.scales[ids[i]];
+      }
+    }
+    return null;
+  }
+
+  function scaleRange(chart, axis, from, to) {
+    var scale = findScale(chart, axis);
+    if (!scale) {
+      return null;
+    }
+
+    var a = scale.getValueForPixel(from);
+    var b = scale.getValueForPixel(to);
+    var min = Math.min(a, b);
+    var max = Math.max(a, b);
+
+    if (scale.type === 'category') {
+      var first = Math.ceil(min);
+      var last = Math.floor(max);
+      if (first > last) {
+        return null;
+      }
+      return {
+        min: scale.getLabelForValue(first),
+        max: scale.getLabelForValue(last)
+      };
+    }
+
+    return { min: min, max: max };
+  }
+
+  function legendState(chart) {
+    var state = { visible: [], hidden: [], visibleIndex: [] };
+
+    if (isSegmentChart(chart)) {
+      (chart.data.labels || []).forEach(function(label, index) {
+        if (chart.getDataVisibility(index)) {
+          state.visible.push(label);
+          state.visibleIndex.push(index);
+        } else {
+          state.hidden.push(label);
+        }
+      });
+      return state;
+    }
+
+    (chart.data.datasets || []).forEach(function(dataset, index) {
+      var label = dataset.label !== undefined ? dataset.label : String(index);
+      if (chart.isDatasetVisible(index)) {
+        state.visible.push(label);
+        state.visibleIndex.push(index);
+      } else {
+        state.hidden.push(label);
+      }
+    });
+    return state;
+  }
+
+  function drawSelection(chart, selection) {
+    if (!selection.length) {
+      return;
+    }
+
+    var ctx = chart.ctx;
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = '#212529';
+
+    selection.forEach(function(item) {
+      if (!chart.isDatasetVisible(item.datasetIndex)) {
+        return;
+      }
+
+      var element = chart.getDatasetMeta(item.datasetIndex).data[item.index];
+      var position = elementPosition(element);
+      if (!position) {
+        return;
+      }
+
+      var radius = (element.options && element.options.radius) || 3;
+      ctx.beginPath();
+      ctx.arc(position.x, position.y, radius + 4, 0, 2 * Math.PI);
+      ctx.stroke();
+    });
+
+    ctx.restore();
+  }
+
+  function createInteractionPlugin(state) {
+    return {
+      id: 'chartjsInteraction',
+
+      afterUpdate: function(chart) {
+        if (!state.events.legend) {
+          return;
+        }
+
+        var legend = legendState(chart);
+        var key = JSON.stringify(legend);
+        if (key !== state.legendKey) {
+          state.legendKey = key;
+          sendInput(state.el, 'legend', legend);
+        }
+      },
+
+      afterDatasetsDraw: function(chart) {
+        drawSelection(chart, state.selection);
+        drawCrosshair(chart, state.crosshair);
+      }
+    };
+  }
+
+  function findElements(state, event) {
+    return state.chart.getElementsAtEventForMode(
+      event,
+      state.events.mode,
+      { intersect: state.events.intersect, axis: state.events.axis },
+      true
+    );
+  }
+
+  function toggleSelection(state, item) {
+    var position = -1;
+    state.selection.forEach(function(selected, index) {
+      if (selected.datasetIndex === item.datasetIndex && selected.index === item.index) {
+        position = index;
+      }
+    });
+
+    if (position === -1) {
+      state.selection.push({ datasetIndex: item.datasetIndex, index: item.index });
+    } else {
+      state.selection.splice(position, 1);
+    }
+
+    reportSelection(state);
+  }
+
+  function reportSelection(state) {
+    var chart = state.chart;
+    sendInput(state.el, 'selected', state.selection.map(function(item) {
+      return describeElement(chart, item);
+    }));
+    chart.draw();
+  }
+
+  function clearBrush(state) {
+    if (state.brush && state.brush.overlay.parentNode) {
+      state.brush.overlay.parentNode.removeChild(state.brush.overlay);
+    }
+    state.brush = null;
+  }
+
+  function brushBounds(state, brush) {
+    var area = state.chart.chartArea;
+    var direction = state.events.brushDirection;
+    var bounds = {
+      left: Math.min(brush.origin.x, brush.current.x),
+      right: Math.max(brush.origin.x, brush.current.x),
+      top: Math.min(brush.origin.y, brush.current.y),
+      bottom: Math.max(brush.origin.y, brush.current.y)
+    };
+
+    if (direction === 'x') {
+      bounds.top = area.top;
+      bounds.bottom = area.bottom;
+    } else if (direction === 'y') {
+      bounds.left = area.left;
+      bounds.right = area.right;
+    }
+
+    return bounds;
+  }
+
+  function drawBrush(state, brush) {
+    var bounds = brushBounds(state, brush);
+    var canvas = state.chart.canvas;
+    var style = brush.overlay.style;
+
+    style.left = (canvas.offsetLeft + bounds.left) + 'px';
+    style.top = (canvas.offsetTop + bounds.top) + 'px';
+    style.width = (bounds.right - bounds.left) + 'px';
+    style.height = (bounds.bottom - bounds.top) + 'px';
+  }
+
+  function brushedElements(chart, bounds) {
+    var points = [];
+
+    chart.data.datasets.forEach(function(dataset, datasetIndex) {
+      if (!chart.isDatasetVisible(datasetIndex)) {
+        return;
+      }
+
+      chart.getDatasetMeta(datasetIndex).data.forEach(function(element, index) {
+        var position = elementPosition(element);
+        if (position && isInsideArea(position, bounds)) {
+          points.push(describeElement(chart, { datasetIndex: datasetIndex, index: index }));
+        }
+      });
+    });
+
+    return points;
+  }
+
+  function finishBrush(state, brush) {
+    var chart = state.chart;
+    var bounds = brushBounds(state, brush);
+
+    if (bounds.right - bounds.left < 3 && bounds.bottom - bounds.top < 3) {
+      var wasActive = state.brushActive;
+      clearBrush(state);
+      state.brushActive = false;
+      if (wasActive) {
+        sendInput(state.el, 'brush', null);
+        if (state.crosstalk) {
+          selectCrosstalk(state, [], false);
+        }
+      }
+      return;
+    }
+
+    state.suppressClick = true;
+    state.brushActive = true;
+
+    var points = brushedElements(chart, bounds);
+    if (state.crosstalk) {
+      selectCrosstalk(state, points, false);
+    }
+
+    sendInput(state.el, 'brush', {
+      x: scaleRange(chart, 'x', bounds.left, bounds.right),
+      y: scaleRange(chart, 'y', bounds.bottom, bounds.top),
+      points: points
+    });
+  }
+
+  function startBrush(state, event) {
+    var chart = state.chart;
+    var area = chart.chartArea;
+    var origin = canvasPosition(chart.canvas, event);
+
+    if (!area || !isInsideArea(origin, area) || !findScale(chart, 'x')) {
+      return;
+    }
+
+    clearBrush(state);
+
+    var overlay = document.createElement('div');
+    overlay.className = 'chartjs-brush';
+    state.el.appendChild(overlay);
+
+    var brush = { origin: origin, current: origin, overlay: overlay };
+    state.brush = brush;
+    drawBrush(state, brush);
+
+    function move(moveEvent) {
+      brush.current = clampToArea(canvasPosition(chart.canvas, moveEvent), area);
+      drawBrush(state, brush);
+    }
+
+    function release(upEvent) {
+      document.removeEventListener('mousemove', move);
+      document.removeEventListener('mouseup', release);
+      brush.current = clampToArea(canvasPosition(chart.canvas, upEvent), area);
+      finishBrush(state, brush);
+    }
+
+    document.addEventListener('mousemove', move);
+    document.addEventListener('mouseup', release);
+  }
+
+  function bindInteractions(state) {
+    var el = state.el;
+
+    function fromCanvas(event) {
+      return state.chart && event.target === state.chart.canvas;
+    }
+
+    el.addEventListener('click', function(event) {
+      if (!fromCanvas(event)) {
+        return;
+      }
+
+      if (state.suppressClick) {
+        state.suppressClick = false;
+        return;
+      }
+
+      var points = findElements(state, event);
+
+      if (state.crosstalk) {
+        selectCrosstalk(state, points.slice(0, 1), event.shiftKey);
+      }
+
+      if (event.shiftKey && state.events.select) {
+        if (points.length) {
+          toggleSelection(state, points[0]);
+        }
+        return;
+      }
+
+      if (!points.length) {
+        if (state.events.select && state.selection.length) {
+          state.selection = [];
+          reportSelection(state);
+        }
+        return;
+      }
+
+      if (state.events.click) {
+        sendInput(el, 'click', describeElement(state.chart, points[0]), 'event');
+      }
+    });
+
+    el.addEventListener('mousemove', function(event) {
+      if (!fromCanvas(event)) {
+        return;
+      }
+
+      if (state.group) {
+        linkHover(state, crosshairPointer(state.chart, canvasPosition(state.chart.canvas, event)));
+      }
+
+      if (!state.events.hover) {
+        return;
+      }
+
+      var points = findElements(state, event).map(function(item) {
+        return describeElement(state.chart, item);
+      });
+      state.reportHover(points.length ? points : null);
+    });
+
+    el.addEventListener('mouseleave', function() {
+      if (state.group && state.chart) {
+        linkHover(state, null);
+      }
+      if (state.events.hover) {
+        state.reportHover(null);
+      }
+    });
+
+    el.addEventListener('mousedown', function(event) {
+      // A brush released outside the widget never gets its click, so the
+      // flag must not outlive the next press.
+      state.suppressClick = false;
+
+      if (!state.events.brush || event.button !== 0 || event.shiftKey || !fromCanvas(event)) {
+        return;
+      }
+      startBrush(state, event);
+    });
+  }
+
+  function toArray(value) {
+    if (value === null || value === undefined) {
+      return [];
+    }
+    return Array.isArray(value) ? value : [value];
+  }
+
+  function findDataset(datasets, incoming, position) {
+    if (incoming.label === undefined || incoming.label === null) {
+      return datasets[position] || null;
+    }
+
+    for (var i = 0; i < datasets.length; i++) {
+      if (datasets[i].label === incoming.label) {
+        return datasets[i];
+      }
+    }
+    return null;
+  }
+
+  function trimWindow(values, maxPoints) {
+    if (maxPoints && Array.isArray(values) && values.length > maxPoints) {
+      values.splice(0, values.length - maxPoints);
+    }
+  }
+
+  function appendData(chart, message, large) {
+    var data = chart.data;
+    var labels = toArray(message.labels);
+    var maxPoints = message.maxPoints;
+    var colorProps = ['backgroundColor', 'borderColor'];
+    var rowOffset = large ? large.rowCount(chart) : 0;
+
+    data.datasets = data.datasets || [];
+
+    if (labels.length) {
+      data.labels = data.labels || [];
+      Array.prototype.push.apply(data.labels, labels);
+    }
+
+    toArray(message.datasets).forEach(function(incoming, position) {
+      var values = toArray(incoming.data);
+      var dataset = findDataset(data.datasets, incoming, position);
+
+      if (!dataset) {
+        incoming.data = [];
+        if (incoming.columns && large) {
+          large.adopt(incoming, rowOffset);
+        }
+        data.datasets.push(incoming);
+        dataset = incoming;
+      } else if (incoming.columns && large && large.append(dataset, incoming.columns, maxPoints, rowOffset)) {
+        return;
+      } else {
+        colorProps.forEach(function(prop) {
+          if (Array.isArray(dataset[prop]) && Array.isArray(incoming[prop])) {
+            Array.prototype.push.apply(dataset[prop], incoming[prop]);
+          }
+        });
+      }
+
+      if (labels.length) {
+        while (dataset.data.length < data.labels.length - values.length) {
+          dataset.data.push(null);
+        }
+      }
+      Array.prototype.push.apply(dataset.data, values);
+    });
+
+    data.datasets.forEach(function(dataset) {
+      if (labels.length) {
+        while (dataset.data.length < data.labels.length) {
+          dataset.data.push(null);
+        }
+      }
+
+      trimWindow(dataset.data, maxPoints);
+      colorProps.forEach(function(prop) {
+        trimWindow(dataset[prop], maxPoints);
+      });
+    });
+    trimWindow(data.labels, maxPoints);
+
+    chart.update(message.animate === false ? 'none' : undefined);
+  }
+
+  // Datasets added through the proxy take the type, axis and stack group of
+  // the series with the same label, as recorded in the widget metadata.
+  function applySeriesMeta(dataset, meta) {
+    if (!meta || dataset.label === undefined || dataset.label === null) {
+      return dataset;
+    }
+
+    var label = String(dataset.label);
+    var types = meta.types || {};
+
+    if (dataset.type === undefined && types[label]) {
+      dataset.type = types[label];
+      if (dataset.order === undefined) {
+        dataset.order = dataset.type === 'line' ? 0 : 1;
+      }
+    }
+    if (dataset.yAxisID === undefined && toArray(meta.y2).indexOf(label) !== -1) {
+      dataset.yAxisID = 'y2';
+    }
+    if (dataset.stack === undefined && meta.stack) {
+      dataset.stack = meta.stack[label] || label;
+    }
+
+    return dataset;
+  }
+
+  function captureImage(chart, settings) {
+    var format = settings.format === 'jpeg' ? 'jpeg' : 'png';
+    var background = settings.background || (format === 'jpeg' ? '#ffffff' : null);
+    var originalRatio = chart.options.devicePixelRatio;
+    var output = document.createElement('canvas');
+
+    // A running animation defers resize() until it finishes, so finish it
+    // first and capture the final frame at the requested scale.
+    chart.stop();
+    chart.update('none');
+
+    try {
+      chart.options.devicePixelRatio = settings.scale || 1;
+      chart.resize();
+      chart.draw();
+
+      output.width = chart.canvas.width;
+      output.height = chart.canvas.height;
+
+      var ctx = output.getContext('2d');
+      if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, output.width, output.height);
+      }
+      ctx.drawImage(chart.canvas, 0, 0);
+    } finally {
+      chart.options.devicePixelRatio = originalRatio;
+      chart.resize();
+    }
+
+    return {
+      format: format,
+      width: output.width,
+      height: output.height,
+      data: output.toDataURL('image/' + format, 0.92)
+    };
+  }
+
+  function captureSvg(chart, settings) {
+    var image = captureImage(chart, {
+      format: 'png',
+      background: settings.background,
+      scale: settings.scale
+    });
+
+    // The scaled image is shown at the chart's on-screen size.
+    var width = chart.width;
+    var height = chart.height;
+
+    return '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"' +
+      ' width="' + width + '" height="' + height + '"' +
+      ' viewBox="0 0 ' + width + ' ' + height + '">' +
+      '<image width="' + width + '" height="' + height + '"' +
+      ' xlink:href="' + image.data + '" href="' + image.data + '"/></svg>';
+  }
+
+  function csvField(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    var text = String(value);
+    if (/[",\r\n]/.test(text)) {
+      return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+  }
+
+  // Large datasets export every point, not just the downsampled ones on screen.
+  function datasetPoints(dataset) {
+    return dataset.$large ? dataset.$large.points : (dataset.data || []);
+  }
+
+  function chartToCsv(chart) {
+    var datasets = chart.data.datasets || [];
+    var labels = chart.data.labels || [];
+    var rows = [];
+    var pointData = datasets.some(function(dataset) {
+      return datasetPoints(dataset).some(function(value) {
+        return value !== null && typeof value === 'object';
+      });
+    });
+
+    if (pointData) {
+      var hasRadius = datasets.some(function(dataset) {
+        return datasetPoints(dataset).some(function(value) {
+          return value && value.r !== undefined;
+        });
+      });
+
+      rows.push(['dataset', 'x', 'y'].concat(hasRadius ? ['r'] : []));
+      datasets.forEach(function(dataset, datasetIndex) {
+        var name = dataset.label !== undefined ? dataset.label : datasetIndex;
+        datasetPoints(dataset).forEach(function(point) {
+          if (!point) {
+            return;
+          }
+          var row = [name, point.x, point.y];
+          if (hasRadius) {
+            row.push(point.r);
+          }
+          rows.push(row);
+        });
+      });
+    } else {
+      rows.push(['label'].concat(datasets.map(function(dataset, datasetIndex) {
+        return dataset.label !== undefined ? dataset.label : 'dataset' + (datasetIndex + 1);
+      })));
+      labels.forEach(function(label, index) {
+        rows.push([label].concat(datasets.map(function(dataset) {
+          return (dataset.data || [])[index];
+        })));
+      });
+    }
+
+    return rows.map(function(row) {
+      return row.map(csvField).join(',');
+    }).join('\r\n');
+  }
+
+  function downloadFile(filename, href) {
+    var link = document.createElement('a');
+    link.href = href;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  }
+
+  function downloadBlob(filename, content, mime) {
+    var url = URL.createObjectURL(new Blob([content], { type: mime }));
+    downloadFile(filename, url);
+    setTimeout(function() {
+      URL.revokeObjectURL(url);
+    }, 0);
+  }
+
+  function exportChart(chart, format, settings) {
+    var filename = (settings.filename || 'chart') + '.' + (format === 'jpeg' ? 'jpg' : format);
+
+    if (format === 'csv') {
+      downloadBlob(filename, chartToCsv(chart), 'text/csv;charset=utf-8');
+    } else if (format === 'svg') {
+      downloadBlob(filename, captureSvg(chart, settings), 'image/svg+xml');
+    } else {
+      downloadFile(filename, captureImage(chart, {
+        format: format,
+        background: settings.background,
+        scale: settings.scale
+      }).data);
+    }
+  }
+
+  // The SVG export embeds a PNG, as Chart.js only draws to a canvas.
+  var EXPORT_LABELS = { png: 'PNG', jpeg: 'JPEG', svg: 'SVG (raster)', csv: 'CSV' };
+
+  function renderToolbar(state, settings) {
+    removeToolbar(state);
+    if (!settings) {
+      return;
+    }
+
+    var toolbar = document.createElement('div');
+    toolbar.className = 'chartjs-toolbar chartjs-toolbar-' + (settings.position || 'top-right');
+
+    toArray(settings.buttons).forEach(function(format) {
+      var button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'chartjs-toolbar-button';
+      button.textContent = EXPORT_LABELS[format] || format;
+      button.title = 'Download ' + button.textContent;
+      button.addEventListener('click', function() {
+        if (state.chart) {
+          exportChart(state.chart, format, settings);
+        }
+      });
+      toolbar.appendChild(button);
+    });
+
+    state.el.appendChild(toolbar);
+    state.toolbar = toolbar;
+  }
+
+  function removeToolbar(state) {
+    if (state.toolbar && state.toolbar.parentNode) {
+      state.toolbar.parentNode.removeChild(state.toolbar);
+    }
+    state.toolbar = null;
+  }
+
+  // Charts that share a `group` name are linked through this registry. The
+  // group only lives in the page, so linking also works without Shiny.
+  var linkGroups = {};
+  var syncingRange = false;
+
+  function isAttached(state) {
+    return document.body.contains(state.el);
+  }
+
+  function joinGroup(state, name) {
+    leaveGroup(state);
+    if (!name) {
       return;
     }
 
-    if (remaining <= 0) {
-      if (typeof failure === 'function') {
-        failure();
+    var members = (linkGroups[name] || []).filter(isAttached);
+    members.push(state);
+    linkGroups[name] = members;
+    state.group = name;
+  }
+
+  function leaveGroup(state) {
+    if (!state.group) {
+      return;
+    }
+
+    var members = linkGroups[state.group] || [];
+    var position = members.indexOf(state);
+    if (position !== -1) {
+      members.splice(position, 1);
+    }
+    if (!members.length) {
+      delete linkGroups[state.group];
+    }
+    state.group = null;
+  }
+
+  function groupPeers(state) {
+    if (!state.group) {
+      return [];
+    }
+
+    return (linkGroups[state.group] || []).filter(function(peer) {
+      return peer !== state && peer.chart && isAttached(peer);
+    });
+  }
+
+  // Crosshair positions travel between charts in data units: the label for
+  // category axes and the value otherwise, so charts with different layouts
+  // line up on the same x.
+  function crosshairPointer(chart, position) {
+    var scale = findScale(chart, 'x');
+    var area = chart.chartArea;
+    if (!scale || !area || !isInsideArea(position, area)) {
+      return null;
+    }
+
+    var value = scale.getValueForPixel(position.x);
+    if (scale.type === 'category') {
+      return { label: scale.getLabelForValue(Math.round(value)) };
+    }
+    return { value: value };
+  }
+
+  function crosshairPixel(chart, pointer) {
+    var scale = findScale(chart, 'x');
+    var area = chart.chartArea;
+    if (!pointer || !scale || !area) {
+      return null;
+    }
+
+    var pixel;
+    if (scale.type === 'category') {
+      var index = scale.getLabels().indexOf(pointer.label);
+      if (index === -1) {
+        return null;
       }
+      pixel = scale.getPixelForValue(index);
+    } else {
+      if (typeof pointer.value !== 'number' || isNaN(pointer.value)) {
+        return null;
+      }
+      pixel = scale.getPixelForValue(pointer.value);
+    }
+
+    return pixel >= area.left && pixel <= area.right ? pixel : null;
+  }
+
+  function drawCrosshair(chart, pointer) {
+    var pixel = crosshairPixel(chart, pointer);
+    if (pixel === null) {
       return;
     }
 
-    setTimeout(function() {
-      whenChartReady(success, failure, remaining - 1);
-    }, 50);
+    var area = chart.chartArea;
+    var ctx = chart.ctx;
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(33, 37, 41, 0.6)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(pixel, area.top);
+    ctx.lineTo(pixel, area.bottom);
+    ctx.stroke();
+    ctx.restore();
   }
 
-  function deepMerge(target, source) {
-    if (!source) {
-      return target;
+  function showLinkedHover(state, pointer) {
+    var chart = state.chart;
+    var pixel = crosshairPixel(chart, pointer);
+    var active = [];
+    var position = { x: 0, y: 0 };
+
+    state.crosshair = pixel === null ? null : pointer;
+
+    if (pixel !== null) {
+      var area = chart.chartArea;
+      position = { x: pixel, y: (area.top + area.bottom) / 2 };
+      active = chart.getElementsAtEventForMode(
+        { native: null, x: position.x, y: position.y },
+        'index',
+        { intersect: false, axis: 'x' },
+        true
+      ).map(function(item) {
+        return { datasetIndex: item.datasetIndex, index: item.index };
+      });
     }
 
-    Object.keys(source).forEach(function(key) {
-      var value = source[key];
-      if (value && typeof value === 'object' && !Array.isArray(value)) {
-        target[key] = deepMerge(target[key] || {}, value);
-      } else {
-        target[key] = value;
+    chart.setActiveElements(active);
+    if (chart.tooltip) {
+      chart.tooltip.setActiveElements(active, position);
+    }
+    chart.draw();
+  }
+
+  function linkHover(state, pointer) {
+    var key = JSON.stringify(pointer);
+    if (key === state.crosshairKey) {
+      return;
+    }
+
+    state.crosshairKey = key;
+    state.crosshair = pointer;
+    state.chart.draw();
+
+    groupPeers(state).forEach(function(peer) {
+      showLinkedHover(peer, pointer);
+    });
+  }
+
+  function linkRange(state, range) {
+    if (syncingRange || !state.group) {
+      return;
+    }
+
+    var source = findScale(state.chart, 'x');
+    var xRange = source ? range[source.id] : null;
+
+    syncingRange = true;
+    try {
+      groupPeers(state).forEach(function(peer) {
+        var target = findScale(peer.chart, 'x');
+        if (!peer.zoom || !target) {
+          return;
+        }
+
+        if (!range.zoomed || !xRange) {
+          peer.zoom.resetZoom();
+          return;
+        }
+
+        var ranges = {};
+        ranges[target.id] = xRange;
+        peer.zoom.setRange(ranges);
+      });
+    } finally {
+      syncingRange = false;
+    }
+  }
+
+  function keyLookup(keys, emptyIsNull) {
+    if (keys === null || keys === undefined) {
+      return null;
+    }
+
+    var list = toArray(keys);
+    if (emptyIsNull && !list.length) {
+      return null;
+    }
+
+    var lookup = {};
+    list.forEach(function(key) {
+      lookup[key] = true;
+    });
+    return lookup;
+  }
+
+  function fadeColor(color) {
+    var helpers = Chart.helpers;
+    if (typeof color !== 'string' || !helpers || typeof helpers.color !== 'function') {
+      return color;
+    }
+
+    var parsed = helpers.color(color);
+    return parsed.valid ? parsed.clearer(0.8).rgbString() : color;
+  }
+
+  function createCrosstalk(settings) {
+    if (!settings || typeof crosstalk === 'undefined') {
+      return null;
+    }
+
+    return {
+      keys: toArray(settings.keys).map(toArray),
+      rows: null,
+      source: null,
+      original: null,
+      selected: null,
+      filtered: null,
+      selection: new crosstalk.SelectionHandle(settings.group),
+      filter: new crosstalk.FilterHandle(settings.group)
+    };
+  }
+
+  function closeCrosstalk(state) {
+    if (state.crosstalk) {
+      state.crosstalk.selection.close();
+      state.crosstalk.filter.close();
+      state.crosstalk = null;
+    }
+  }
+
+  // Keys describe the data the chart was rendered with. Proxy updates that
+  // replace the data detach the chart from crosstalk.
+  function crosstalkLinked(state) {
+    var link = state.crosstalk;
+    return Boolean(link && state.chart && state.chart.data === link.source);
+  }
+
+  function crosstalkRow(link, datasetIndex, index) {
+    var rows = link.rows && link.rows[datasetIndex];
+    return rows && rows[index] !== undefined ? rows[index] : index;
+  }
+
+  function crosstalkKey(link, datasetIndex, row) {
+    var keys = link.keys[datasetIndex];
+    return keys ? keys[row] : undefined;
+  }
+
+  function crosstalkColor(state, link, datasetIndex, base) {
+    return function(context) {
+      if (context.type !== 'data') {
+        return base;
+      }
+
+      var row = crosstalkRow(link, datasetIndex, context.dataIndex);
+      var color = Array.isArray(base) ? base[row % base.length] : base;
+
+      if (link.selected && crosstalkLinked(state)) {
+        var key = crosstalkKey(link, datasetIndex, row);
+        if (key !== undefined && !link.selected[key]) {
+          return fadeColor(color);
+        }
       }
+      return color;
+    };
+  }
+
+  function wrapCrosstalkColors(state, link, data) {
+    toArray(data && data.datasets).forEach(function(dataset, datasetIndex) {
+      ['backgroundColor', 'borderColor'].forEach(function(prop) {
+        var base = dataset[prop];
+        if (base !== undefined && base !== null && typeof base !== 'function') {
+          dataset[prop] = crosstalkColor(state, link, datasetIndex, base);
+        }
+      });
     });
+  }
 
-    return target;
+  function applyCrosstalkFilter(state) {
+    var link = state.crosstalk;
+    if (!crosstalkLinked(state)) {
+      return;
+    }
+
+    var data = state.chart.data;
+    var original = link.original;
+    var shared = Array.isArray(original.labels) && original.labels.length > 0;
+
+    var rows = original.data.map(function(values, datasetIndex) {
+      var kept = [];
+      values.forEach(function(value, row) {
+        var key = crosstalkKey(link, datasetIndex, row);
+        if (!link.filtered || key === undefined || link.filtered[key]) {
+          kept.push(row);
+        }
+      });
+      return kept;
+    });
+
+    link.rows = data.datasets.map(function(dataset, datasetIndex) {
+      var values = original.data[datasetIndex];
+      if (!values) {
+        return null;
+      }
+
+      var kept = shared ? rows[0] : rows[datasetIndex];
+      dataset.data = kept.map(function(row) {
+        return values[row];
+      });
+      return kept;
+    });
+
+    if (shared) {
+      data.labels = rows[0].map(function(row) {
+        return original.labels[row];
+      });
+    }
+
+    state.selection = [];
+    state.chart.update();
+  }
+
+  function connectCrosstalk(state) {
+    var link = state.crosstalk;
+    var data = state.chart.data;
+
+    link.source = data;
+    link.original = {
+      labels: Array.isArray(data.labels) ? data.labels.slice() : null,
+      data: data.datasets.map(function(dataset) {
+        return toArray(dataset.data).slice();
+      })
+    };
+
+    link.selection.on('change', function(event) {
+      if (state.crosstalk !== link || !crosstalkLinked(state)) {
+        return;
+      }
+      link.selected = keyLookup(event.value, true);
+      state.chart.update('none');
+    });
+
+    link.filter.on('change', function(event) {
+      if (state.crosstalk !== link) {
+        return;
+      }
+      link.filtered = keyLookup(event.value, false);
+      applyCrosstalkFilter(state);
+    });
+
+    link.selected = keyLookup(link.selection.value, true);
+    link.filtered = keyLookup(link.filter.filteredKeys, false);
+    if (link.filtered) {
+      applyCrosstalkFilter(state);
+    } else if (link.selected) {
+      state.chart.update('none');
+    }
+  }
+
+  // Appended rows have no crosstalk keys, so a chart that receives them leaves
+  // its crosstalk group and shows all of its data again.
+  function detachCrosstalk(state) {
+    var link = state.crosstalk;
+    if (!link) {
+      return;
+    }
+
+    if (crosstalkLinked(state) && link.filtered) {
+      var data = state.chart.data;
+      data.datasets.forEach(function(dataset, datasetIndex) {
+        if (link.original.data[datasetIndex]) {
+          dataset.data = link.original.data[datasetIndex].slice();
+        }
+      });
+      if (Array.isArray(link.original.labels)) {
+        data.labels = link.original.labels.slice();
+      }
+      state.selection = [];
+    }
+
+    link.rows = null;
+    link.selected = null;
+    closeCrosstalk(state);
+  }
+
+  // Clicks replace the crosstalk selection, shift-clicks toggle points in and
+  // out of it, and clicks on empty space clear it.
+  function selectCrosstalk(state, items, extend) {
+    var link = state.crosstalk;
+    if (!crosstalkLinked(state)) {
+      return;
+    }
+
+    var keys = [];
+    items.forEach(function(item) {
+      var key = crosstalkKey(link, item.datasetIndex, crosstalkRow(link, item.datasetIndex, item.index));
+      if (key !== undefined && keys.indexOf(key) === -1) {
+        keys.push(key);
+      }
+    });
+
+    if (extend) {
+      if (!keys.length) {
+        return;
+      }
+
+      var current = toArray(link.selection.value).slice();
+      keys.forEach(function(key) {
+        var position = current.indexOf(key);
+        if (position === -1) {
+          current.push(key);
+        } else {
+          current.splice(position, 1);
+        }
+      });
+      keys = current;
+    }
+
+    if (keys.length) {
+      link.selection.set(keys);
+    } else if (link.selected) {
+      link.selection.clear();
+    }
   }
 
   HTMLWidgets.widget({
@@ -44,12 +1353,53 @@
       el.appendChild(canvas);
       el.classList.add('chartjs-widget');
 
-      var chart = null;
+      var state = {
+        el: el,
+        chart: null,
+        events: resolveEvents(el, null),
+        selection: [],
+        legendKey: null,
+        brush: null,
+        brushActive: false,
+        suppressClick: false,
+        reportHover: null,
+        toolbar: null,
+        annotations: null,
+        zoom: null,
+        large: null,
+        reportRange: null,
+        group: null,
+        crosshair: null,
+        crosshairKey: null,
+        crosstalk: null,
+        config: null,
+        options: null
+      };
+
+      function configureEvents(events, interaction) {
+        state.events = resolveEvents(el, events, interaction);
+
+        var hoverKey = null;
+        state.reportHover = debounce(function(points) {
+          var key = JSON.stringify(points);
+          if (key !== hoverKey) {
+            hoverKey = key;
+            sendInput(el, 'hover', points);
+          }
+        }, state.events.debounce);
+
+        state.reportRange = debounce(function(range) {
+          sendInput(el, 'range', range);
+        }, state.events.debounce);
+      }
 
       function destroyChart() {
-        if (chart) {
-          chart.destroy();
-          chart = null;
+        clearBrush(state);
+        leaveGroup(state);
+        closeCrosstalk(state);
+        if (state.chart) {
+          state.chart.destroy();
+          state.chart = null;
         }
       }
 
@@ -62,43 +1412,172 @@
           el.appendChild(canvas);
         }
 
+        state.selection = [];
+        state.legendKey = null;
+        state.brushActive = false;
+        state.crosshair = null;
+        state.crosshairKey = null;
+
+        state.crosstalk = createCrosstalk(config.crosstalk);
+        if (state.crosstalk) {
+          wrapCrosstalkColors(state, state.crosstalk, config.data);
+        }
+
+        var plugins = [createInteractionPlugin(state)];
+
+        state.large = window.ChartjsLarge ? window.ChartjsLarge.create(config.large) : null;
+        if (state.large) {
+          plugins.push(state.large);
+        }
+
+        state.annotations = window.ChartjsAnnotation ?
+          window.ChartjsAnnotation.create(config.annotations) :
+          null;
+        if (state.annotations) {
+          plugins.push(state.annotations);
+        }
+
+        state.zoom = window.ChartjsZoom ?
+          window.ChartjsZoom.create({
+            onRangeChange: function(chart, range) {
+              state.reportRange(range);
+              linkRange(state, range);
+            }
+          }) :
+          null;
+        if (state.zoom) {
+          plugins.push(state.zoom);
+        }
+
         var ctx = canvas.getContext('2d');
-        chart = new Chart(ctx, {
+        state.chart = new Chart(ctx, {
           type: config.type,
           data: config.data,
-          options: config.options || {}
+          options: config.options || {},
+          plugins: plugins
         });
 
         el.chartjsMeta = config.meta || null;
-        el.chart = chart;
-        return chart;
+        el.chart = state.chart;
+
+        joinGroup(state, config.group);
+        if (state.crosstalk) {
+          connectCrosstalk(state);
+        }
+        return state.chart;
       }
 
-      return {
+      // Chart.js fills in the options object it is given, so the options from
+      // R and later proxy updates are also kept apart for rebuilds.
+      function rememberOptions(options) {
+        state.options = deepMerge(state.options || {}, options);
+      }
+
+      // A data update with a different chart type starts over with a new
+      // chart, keeping the widget settings, the options that still fit the
+      // new type and any proxy-added annotations. Crosstalk keys describe the
+      // original rows, so the chart leaves its crosstalk group.
+      function rebuildChart(update) {
+        var previous = state.config || {};
+        var config = {};
+        Object.keys(previous).forEach(function(key) {
+          config[key] = previous[key];
+        });
+
+        var carried = carryOptions(state.options, previous.type, update.meta.type);
+        if (!update.meta.time) {
+          resetTimeScale(carried, update.meta.indexAxis === 'y' ? 'y' : 'x');
+        }
+        config.type = update.meta.type;
+        config.data = update.data;
+        config.meta = update.meta;
+        config.options = deepMerge(deepMerge(deepMerge({}, update.defaults), carried), update.options);
+        config.annotations = state.annotations ? state.annotations.list() : previous.annotations;
+        config.crosstalk = null;
+
+        state.config = config;
+        state.options = null;
+        rememberOptions(config.options);
+        return buildChart(config);
+      }
+
+      // Data without dates on a chart that had them: its index axis goes
+      // back to the scale the chart type uses, which is linear for large
+      // line charts.
+      function clearTimeScale(axis) {
+        var type = state.config.large && state.config.type === 'line' ? 'linear' : null;
+        resetTimeScale(state.options, axis, type);
+        resetTimeScale(state.chart.options, axis, type);
+      }
+
+      function showError(message) {
+        destroyChart();
+        el.innerHTML = '<div class="chartjs-error">' + message + '</div>';
+      }
+
+      configureEvents(null);
+      bindInteractions(state);
+
+      var widget = {
+        el: el,
+
         renderValue: function(x) {
+          configureEvents(x.events, x.options && x.options.interaction);
+          state.config = x;
+          state.options = null;
+          rememberOptions(x.options);
+
           whenChartReady(function() {
             try {
               buildChart(x);
+              renderToolbar(state, x.toolbar);
             } catch (error) {
-              destroyChart();
-              el.innerHTML = '<div class="chartjs-error">' + error.message + '</div>';
+              showError(error.message);
+              reportError(el, 'render', error);
+              return;
             }
+            flushMessages(widget);
           }, function() {
-            destroyChart();
-            el.innerHTML = '<div class="chartjs-error">Chart.js library is not available. Verify that chart.umd.js has been loaded.</div>';
+            var message = 'Chart.js library is not available. Verify that chart.umd.js has been loaded.';
+            showError(message);
+            reportError(el, 'render', new Error(message));
           });
         },
 
         resize: function() {
-          if (chart) {
-            chart.resize();
+          if (state.chart) {
+            state.chart.resize();
           }
         },
 
         getChart: function() {
-          return chart;
-        }
+          return state.chart;
+        },
+
+        getAnnotations: function() {
+          return state.annotations;
+        },
+
+        getZoom: function() {
+          return state.zoom;
+        },
+
+        getLarge: function() {
+          return state.large;
+        },
+
+        detachCrosstalk: function() {
+          detachCrosstalk(state);
+        },
+
+        rebuild: rebuildChart,
+
+        rememberOptions: rememberOptions,
+
+        clearTimeScale: clearTimeScale
       };
+
+      return widget;
     }
   });
 
@@ -106,111 +1585,114 @@
     return;
   }
 
-  function withWidget(id, callback) {
-    var widget = HTMLWidgets.find('#' + id);
-    if (widget && typeof callback === 'function') {
-      callback(widget);
-    }
+  // Proxy messages run against a widget whose chart exists; until then they
+  // are queued. Errors thrown while applying one are reported as <id>_error.
+  function addMessageHandler(type, handler) {
+    messageHandlers[type] = handler;
+    Shiny.addCustomMessageHandler(type, function(message) {
+      logMessage('received', type, message);
+      deliverMessage(type, message);
+    });
   }
 
-  Shiny.addCustomMessageHandler('chartjs-update-data', function(message) {
-    withWidget(message.id, function(widget) {
-      var chart = widget.getChart && widget.getChart();
-      if (!chart) {
-        return;
-      }
-
-      var element = widget.el || (chart.canvas && chart.canvas.parentElement) || null;
+  Shiny.addCustomMessageHandler('chartjs-debug', function(message) {
+    debugMessages = !!message.enabled;
+    if (typeof console !== 'undefined') {
+      console.log('[chartjs] proxy message logging ' + (debugMessages ? 'enabled' : 'disabled'));
+    }
+  });
 
-      if (message.meta) {
-        if (element) {
-          element.chartjsMeta = message.meta;
-        }
-        chart.config.type = message.meta.type || chart.config.type;
-      }
+  addMessageHandler('chartjs-update-data', function(widget, message) {
+    var chart = widget.getChart();
 
-      chart.config.data = message.data;
-      chart.update();
-    });
-  });
+    if (message.meta && message.meta.type && message.meta.type !== chart.config.type) {
+      widget.rebuild(message);
+      return;
+    }
 
-  Shiny.addCustomMessageHandler('chartjs-update-options', function(message) {
-    withWidget(message.id, function(widget) {
-      var chart = widget.getChart && widget.getChart();
-      if (!chart || !message.options) {
-        return;
+    if (message.meta) {
+      widget.el.chartjsMeta = message.meta;
+      if (!message.meta.time) {
+        widget.clearTimeScale(message.meta.indexAxis === 'y' ? 'y' : 'x');
       }
+    }
 
+    if (message.options) {
+      widget.rememberOptions(message.options);
       chart.options = deepMerge(chart.options || {}, message.options);
-      chart.update();
-    });
+    }
+
+    chart.config.data = message.data;
+    chart.update();
   });
 
-  Shiny.addCustomMessageHandler('chartjs-add-dataset', function(message) {
-    withWidget(message.id, function(widget) {
-      var chart = widget.getChart && widget.getChart();
-      if (!chart || !message.dataset) {
-        return;
-      }
+  addMessageHandler('chartjs-append-data', function(widget, message) {
+    widget.detachCrosstalk();
+    appendData(widget.getChart(), message, widget.getLarge());
+  });
 
-      chart.data.datasets = chart.data.datasets || [];
-      chart.data.datasets.push(message.dataset);
-      chart.update();
-    });
+  addMessageHandler('chartjs-capture', function(widget, message) {
+    var capture = captureImage(widget.getChart(), message);
+    Shiny.setInputValue(message.inputId, capture, { priority: 'event' });
   });
 
-  Shiny.addCustomMessageHandler('chartjs-remove-dataset', function(message) {
-    withWidget(message.id, function(widget) {
-      var chart = widget.getChart && widget.getChart();
-      if (!chart) {
-        return;
-      }
+  addMessageHandler('chartjs-update-options', function(widget, message) {
+    var chart = widget.getChart();
+    if (!message.options) {
+      return;
+    }
 
-      if (chart.data.datasets && chart.data.datasets.length > message.index) {
-        chart.data.datasets.splice(message.index, 1);
-        chart.update();
-      }
-    });
+    widget.rememberOptions(message.options);
+    chart.options = deepMerge(chart.options || {}, message.options);
+    chart.update();
   });
 
-  document.addEventListener('click', function(event) {
-    if (!event.target.closest) {
+  addMessageHandler('chartjs-add-dataset', function(widget, message) {
+    var chart = widget.getChart();
+    if (!message.dataset) {
       return;
     }
 
-    var canvas = event.target.closest('.chartjs-widget canvas');
-    if (!canvas) {
-      return;
+    chart.data.datasets = chart.data.datasets || [];
+    chart.data.datasets.push(applySeriesMeta(message.dataset, widget.el.chartjsMeta));
+    chart.update();
+  });
+
+  addMessageHandler('chartjs-remove-dataset', function(widget, message) {
+    var chart = widget.getChart();
+
+    if (chart.data.datasets && chart.data.datasets.length > message.index) {
+      chart.data.datasets.splice(message.index, 1);
+      chart.update();
     }
+  });
 
-    var widget = HTMLWidgets.getInstance(canvas.parentElement);
-    if (!widget || !widget.getChart) {
+  addMessageHandler('chartjs-add-annotation', function(widget, message) {
+    var annotations = widget.getAnnotations();
+    if (!annotations) {
       return;
     }
 
-    var chart = widget.getChart();
-    if (!chart) {
+    annotations.add(message.annotations);
+    widget.getChart().draw();
+  });
+
+  addMessageHandler('chartjs-remove-annotation', function(widget, message) {
+    var annotations = widget.getAnnotations();
+    if (!annotations) {
       return;
     }
 
-    var points = chart.getElementsAtEventForMode(event, 'nearest', { intersect: true }, true);
-    if (!points.length) {
+    annotations.remove(message.ids);
+    widget.getChart().draw();
+  });
+
+  addMessageHandler('chartjs-set-range', function(widget, message) {
+    var zoom = widget.getZoom();
+    if (!zoom) {
       return;
     }
 
-    var point = points[0];
-    var dataset = chart.data.datasets[point.datasetIndex];
-    var value = dataset.data[point.index];
-
-    Shiny.setInputValue(
-      canvas.parentElement.id + '_click',
-      {
-        datasetIndex: point.datasetIndex,
-        index: point.index,
-        value: value,
-        label: chart.data.labels ? chart.data.labels[point.index] : null
-      },
-      { priority: 'event' }
-    );
+    zoom.setRange(message.ranges || null);
   });
 })();
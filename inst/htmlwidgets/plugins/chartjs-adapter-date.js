@@ -0,0 +1,277 @@
+(function() {
+  if (typeof Chart === 'undefined' || !Chart._adapters) {
+    return;
+  }
+
+  var MILLISECONDS = {
+    millisecond: 1,
+    second: 1000,
+    minute: 60000,
+    hour: 3600000,
+    day: 86400000,
+    week: 604800000
+  };
+
+  var FIXED_UNITS = ['millisecond', 'second', 'minute', 'hour'];
+
+  var MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+  var DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  var FORMATS = {
+    datetime: 'MMM d, yyyy, h:mm:ss a',
+    millisecond: 'h:mm:ss.SSS a',
+    second: 'h:mm:ss a',
+    minute: 'h:mm a',
+    hour: 'ha',
+    day: 'MMM d',
+    week: 'MMM d',
+    month: 'MMM yyyy',
+    quarter: "'Q'q yyyy",
+    year: 'yyyy'
+  };
+
+  var TOKENS = /'[^']*'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|m|ss|s|SSS|a|q/g;
+
+  var formatters = {};
+
+  function pad(value, width) {
+    var text = String(value);
+    while (text.length < width) {
+      text = '0' + text;
+    }
+    return text;
+  }
+
+  function zoneFormatter(zone) {
+    if (!(zone in formatters)) {
+      try {
+        formatters[zone] = new Intl.DateTimeFormat('en-US', {
+          timeZone: zone,
+          hourCycle: 'h23',
+          year: 'numeric',
+          month: '2-digit',
+          day: '2-digit',
+          hour: '2-digit',
+          minute: '2-digit',
+          second: '2-digit'
+        });
+      } catch (error) {
+        formatters[zone] = null;
+      }
+    }
+    return formatters[zone];
+  }
+
+  // Offset in milliseconds between the wall clock in `zone` and UTC at `time`.
+  // `null` means the browser's local time zone.
+  function zoneOffset(time, zone) {
+    if (zone === 'UTC' || zone === 'GMT') {
+      return 0;
+    }
+
+    var formatter = zone ? zoneFormatter(zone) : null;
+    if (!formatter) {
+      return -new Date(time).getTimezoneOffset() * MILLISECONDS.minute;
+    }
+
+    var parts = {};
+    formatter.formatToParts(new Date(time)).forEach(function(part) {
+      parts[part.type] = part.value;
+    });
+
+    var wall = Date.UTC(
+      +parts.year,
+      +parts.month - 1,
+      +parts.day,
+      +parts.hour % 24,
+      +parts.minute,
+      +parts.second
+    );
+    return wall - Math.floor(time / 1000) * 1000;
+  }
+
+  // Time arithmetic is done on "wall clock" timestamps, i.e. the local time in
+  // the target zone expressed as if it were UTC, then converted back.
+  function toWall(time, zone) {
+    return time + zoneOffset(time, zone);
+  }
+
+  function fromWall(wall, zone) {
+    var guess = wall - zoneOffset(wall, zone);
+    return wall - zoneOffset(guess, zone);
+  }
+
+  function addMonths(wall, months) {
+    var date = new Date(wall);
+    var day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + months);
+
+    var lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, lastDay));
+    return date.getTime();
+  }
+
+  function monthIndex(wall) {
+    var date = new Date(wall);
+    return date.getUTCFullYear() * 12 + date.getUTCMonth();
+  }
+
+  function formatWall(wall, format) {
+    var date = new Date(wall);
+    var year = date.getUTCFullYear();
+    var month = date.getUTCMonth();
+    var day = date.getUTCDate();
+    var hours = date.getUTCHours();
+    var hours12 = hours % 12 === 0 ? 12 : hours % 12;
+
+    var values = {
+      yyyy: String(year),
+      yy: pad(year % 100, 2),
+      MMMM: MONTH_NAMES[month],
+      MMM: MONTH_NAMES[month].slice(0, 3),
+      MM: pad(month + 1, 2),
+      M: String(month + 1),
+      dd: pad(day, 2),
+      d: String(day),
+      EEEE: DAY_NAMES[date.getUTCDay()],
+      EEE: DAY_NAMES[date.getUTCDay()].slice(0, 3),
+      HH: pad(hours, 2),
+      H: String(hours),
+      hh: pad(hours12, 2),
+      h: String(hours12),
+      mm: pad(date.getUTCMinutes(), 2),
+      m: String(date.getUTCMinutes()),
+      ss: pad(date.getUTCSeconds(), 2),
+      s: String(date.getUTCSeconds()),
+      SSS: pad(date.getUTCMilliseconds(), 3),
+      a: hours < 12 ? 'AM' : 'PM',
+      q: String(Math.floor(month / 3) + 1)
+    };
+
+    return format.replace(TOKENS, function(token) {
+      if (token.charAt(0) === "'") {
+        return token.slice(1, -1);
+      }
+      return values[token];
+    });
+  }
+
+  function startOfWall(wall, unit, weekday) {
+    var date = new Date(wall);
+
+    switch (unit) {
+      case 'second':
+        date.setUTCMilliseconds(0);
+        break;
+      case 'minute':
+        date.setUTCSeconds(0, 0);
+        break;
+      case 'hour':
+        date.setUTCMinutes(0, 0, 0);
+        break;
+      case 'day':
+        date.setUTCHours(0, 0, 0, 0);
+        break;
+      case 'week':
+      case 'isoWeek':
+        var first = unit === 'isoWeek' ? (typeof weekday === 'number' ? weekday : 1) : 0;
+        var shift = (date.getUTCDay() - first + 7) % 7;
+        date.setUTCHours(0, 0, 0, 0);
+        date.setUTCDate(date.getUTCDate() - shift);
+        break;
+      case 'month':
+        date.setUTCHours(0, 0, 0, 0);
+        date.setUTCDate(1);
+        break;
+      case 'quarter':
+        date.setUTCHours(0, 0, 0, 0);
+        date.setUTCMonth(date.getUTCMonth() - date.getUTCMonth() % 3, 1);
+        break;
+      case 'year':
+        date.setUTCHours(0, 0, 0, 0);
+        date.setUTCMonth(0, 1);
+        break;
+      default:
+        break;
+    }
+
+    return date.getTime();
+  }
+
+  function addWall(wall, amount, unit) {
+    if (unit === 'month') {
+      return addMonths(wall, amount);
+    }
+    if (unit === 'quarter') {
+      return addMonths(wall, amount * 3);
+    }
+    if (unit === 'year') {
+      return addMonths(wall, amount * 12);
+    }
+    return wall + amount * (MILLISECONDS[unit] || 0);
+  }
+
+  Chart._adapters._date.override({
+    _id: 'chartjs-r',
+
+    formats: function() {
+      return FORMATS;
+    },
+
+    parse: function(value) {
+      if (value === null || value === undefined || value === '') {
+        return null;
+      }
+      if (typeof value === 'number') {
+        return isFinite(value) ? value : null;
+      }
+      if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value.getTime();
+      }
+
+      var parsed = Date.parse(String(value));
+      return isNaN(parsed) ? null : parsed;
+    },
+
+    format: function(time, format) {
+      return formatWall(toWall(time, this.options.timezone), format || FORMATS.datetime);
+    },
+
+    add: function(time, amount, unit) {
+      var zone = this.options.timezone;
+      if (FIXED_UNITS.indexOf(unit) !== -1) {
+        return time + amount * MILLISECONDS[unit];
+      }
+      return fromWall(addWall(toWall(time, zone), amount, unit), zone);
+    },
+
+    diff: function(max, min, unit) {
+      if (MILLISECONDS[unit]) {
+        return (max - min) / MILLISECONDS[unit];
+      }
+
+      var zone = this.options.timezone;
+      var months = monthIndex(toWall(max, zone)) - monthIndex(toWall(min, zone));
+      if (unit === 'quarter') {
+        return months / 3;
+      }
+      if (unit === 'year') {
+        return months / 12;
+      }
+      return months;
+    },
+
+    startOf: function(time, unit, weekday) {
+      var zone = this.options.timezone;
+      return fromWall(startOfWall(toWall(time, zone), unit, weekday), zone);
+    },
+
+    endOf: function(time, unit) {
+      var zone = this.options.timezone;
+      var start = startOfWall(toWall(time, zone), unit);
+      return fromWall(addWall(start, 1, unit === 'isoWeek' ? 'week' : unit), zone) - 1;
+    }
+  });
+})();
@@ -0,0 +1,239 @@
+(function() {
+  var BACKGROUND_TYPES = ['band', 'box'];
+
+  function toArray(value) {
+    if (value === null || value === undefined) {
+      return [];
+    }
+    return Array.isArray(value) ? value : [value];
+  }
+
+  function isMissing(value) {
+    return value === null || value === undefined;
+  }
+
+  function findScale(chart, axis) {
+    var ids = Object.keys(chart.scales || {});
+    for (var i = 0; i < ids.length; i++) {
+      if (chart.scales[ids[i]].axis === axis) {
+        return chart.scales[ids[i]];
+      }
+    }
+    return null;
+  }
+
+  function resolveScale(chart, axis, scaleId) {
+    if (scaleId && chart.scales && chart.scales[scaleId]) {
+      return chart.scales[scaleId];
+    }
+    return findScale(chart, axis);
+  }
+
+  // Category scales add unknown string labels when parsing, so look them up
+  // directly and treat numbers as label indices.
+  function parseValue(scale, value) {
+    if (scale.type === 'category') {
+      if (typeof value === 'string') {
+        var index = scale.getLabels().indexOf(value);
+        return index === -1 ? null : index;
+      }
+      return value;
+    }
+    return scale.parse(value);
+  }
+
+  function toPixel(chart, axis, value, scaleId) {
+    var scale = resolveScale(chart, axis, scaleId);
+    if (!scale || isMissing(value)) {
+      return null;
+    }
+
+    var parsed = parseValue(scale, value);
+    if (isMissing(parsed) || isNaN(parsed)) {
+      return null;
+    }
+    return scale.getPixelForValue(parsed);
+  }
+
+  function span(chart, axis, from, to, scaleId) {
+    var area = chart.chartArea;
+    var low = axis === 'x' ? area.left : area.bottom;
+    var high = axis === 'x' ? area.right : area.top;
+    var start = isMissing(from) ? low : toPixel(chart, axis, from, scaleId);
+    var end = isMissing(to) ? high : toPixel(chart, axis, to, scaleId);
+
+    if (isMissing(start) || isMissing(end)) {
+      return null;
+    }
+    return { start: Math.min(start, end), end: Math.max(start, end) };
+  }
+
+  function drawText(ctx, annotation, x, y, align, baseline) {
+    if (isMissing(annotation.text) || annotation.text === '') {
+      return;
+    }
+
+    ctx.fillStyle = annotation.color || annotation.borderColor || '#212529';
+    ctx.font = (annotation.fontSize || 12) + 'px ' + (Chart.defaults.font.family || 'sans-serif');
+    ctx.textAlign = align;
+    ctx.textBaseline = baseline;
+    ctx.fillText(String(annotation.text), x, y);
+  }
+
+  function drawLine(chart, ctx, annotation) {
+    var area = chart.chartArea;
+    var axis = annotation.axis === 'x' ? 'x' : 'y';
+    var position = toPixel(chart, axis, annotation.value, annotation.scaleId);
+    if (isMissing(position)) {
+      return;
+    }
+
+    ctx.strokeStyle = annotation.borderColor || '#DC3912';
+    ctx.lineWidth = isMissing(annotation.borderWidth) ? 2 : annotation.borderWidth;
+    ctx.setLineDash(toArray(annotation.borderDash));
+    ctx.beginPath();
+
+    if (axis === 'x') {
+      ctx.moveTo(position, area.top);
+      ctx.lineTo(position, area.bottom);
+      ctx.stroke();
+      drawText(ctx, annotation, position + 4, area.top + 4, 'left', 'top');
+    } else {
+      ctx.moveTo(area.left, position);
+      ctx.lineTo(area.right, position);
+      ctx.stroke();
+      drawText(ctx, annotation, area.right - 4, position - 4, 'right', 'bottom');
+    }
+  }
+
+  function drawBand(chart, ctx, annotation) {
+    var area = chart.chartArea;
+    var axis = annotation.axis === 'x' ? 'x' : 'y';
+    var range = span(chart, axis, annotation.from, annotation.to, annotation.scaleId);
+    if (!range) {
+      return;
+    }
+
+    ctx.fillStyle = annotation.backgroundColor || 'rgba(220, 57, 18, 0.15)';
+
+    if (axis === 'x') {
+      ctx.fillRect(range.start, area.top, range.end - range.start, area.bottom - area.top);
+      drawText(ctx, annotation, range.start + 4, area.top + 4, 'left', 'top');
+    } else {
+      ctx.fillRect(area.left, range.start, area.right - area.left, range.end - range.start);
+      drawText(ctx, annotation, area.left + 4, range.start + 4, 'left', 'top');
+    }
+  }
+
+  function drawBox(chart, ctx, annotation) {
+    var x = span(chart, 'x', annotation.xMin, annotation.xMax, annotation.xScaleId);
+    var y = span(chart, 'y', annotation.yMin, annotation.yMax, annotation.yScaleId);
+    if (!x || !y) {
+      return;
+    }
+
+    ctx.fillStyle = annotation.backgroundColor || 'rgba(220, 57, 18, 0.15)';
+    ctx.fillRect(x.start, y.start, x.end - x.start, y.end - y.start);
+
+    if (annotation.borderWidth) {
+      ctx.strokeStyle = annotation.borderColor || '#DC3912';
+      ctx.lineWidth = annotation.borderWidth;
+      ctx.setLineDash(toArray(annotation.borderDash));
+      ctx.strokeRect(x.start, y.start, x.end - x.start, y.end - y.start);
+    }
+
+    drawText(ctx, annotation, x.start + 4, y.start + 4, 'left', 'top');
+  }
+
+  function drawLabel(chart, ctx, annotation) {
+    var area = chart.chartArea;
+    var x = isMissing(annotation.x) ? (area.left + area.right) / 2 : toPixel(chart, 'x', annotation.x, annotation.xScaleId);
+    var y = isMissing(annotation.y) ? area.top + 4 : toPixel(chart, 'y', annotation.y, annotation.yScaleId);
+    if (isMissing(x) || isMissing(y)) {
+      return;
+    }
+
+    drawText(ctx, annotation, x, y, annotation.align || 'center', annotation.baseline || 'bottom');
+  }
+
+  var DRAWERS = {
+    line: drawLine,
+    band: drawBand,
+    box: drawBox,
+    label: drawLabel
+  };
+
+  function drawAnnotations(chart, annotations, layer) {
+    if (!annotations.length || !chart.chartArea) {
+      return;
+    }
+
+    var area = chart.chartArea;
+    var ctx = chart.ctx;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(area.left, area.top, area.right - area.left, area.bottom - area.top);
+    ctx.clip();
+
+    annotations.forEach(function(annotation) {
+      var background = BACKGROUND_TYPES.indexOf(annotation.type) !== -1;
+      var draw = DRAWERS[annotation.type];
+      if (!draw || background !== (layer === 'background')) {
+        return;
+      }
+
+      ctx.save();
+      draw(chart, ctx, annotation);
+      ctx.restore();
+    });
+
+    ctx.restore();
+  }
+
+  function create(annotations) {
+    var items = toArray(annotations).slice();
+
+    function remove(ids) {
+      if (isMissing(ids)) {
+        items = [];
+        return;
+      }
+
+      var targets = toArray(ids);
+      items = items.filter(function(annotation) {
+        return targets.indexOf(annotation.id) === -1;
+      });
+    }
+
+    return {
+      id: 'chartjsAnnotation',
+
+      beforeDatasetsDraw: function(chart) {
+        drawAnnotations(chart, items, 'background');
+      },
+
+      afterDatasetsDraw: function(chart) {
+        drawAnnotations(chart, items, 'foreground');
+      },
+
+      add: function(annotations) {
+        var incoming = toArray(annotations);
+        remove(incoming.map(function(annotation) {
+          return annotation.id;
+        }));
+        items = items.concat(incoming);
+      },
+
+      remove: remove,
+
+      list: function() {
+        return items.slice();
+      }
+    };
+  }
+
+  window.ChartjsAnnotation = {
+    create: create
+  };
+})();
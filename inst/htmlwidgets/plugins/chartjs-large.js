@@ -0,0 +1,308 @@
+(function() {
+  var DEFAULTS = {
+    method: 'lttb',
+    samples: null,
+    threshold: null
+  };
+
+  function toArray(value) {
+    if (value === null || value === undefined) {
+      return [];
+    }
+    return Array.isArray(value) ? value : [value];
+  }
+
+  function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+  }
+
+  function byPosition(a, b) {
+    return a.x - b.x || a.row - b.row;
+  }
+
+  // Turns the columnar arrays sent from R into point objects. Every point
+  // remembers its 1-based row in the original data: rows are numbered within
+  // the batch (or given by `columns.row`) and shifted by `rowOffset`, the
+  // number of rows the chart had received before.
+  function expand(columns, rowOffset) {
+    var xs = toArray(columns.x);
+    var ys = toArray(columns.y);
+    var rs = columns.r === undefined ? null : toArray(columns.r);
+    var rows = columns.row === undefined ? null : toArray(columns.row);
+    var points = [];
+
+    for (var i = 0; i < xs.length; i++) {
+      if (!isNumber(xs[i]) || !isNumber(ys[i])) {
+        continue;
+      }
+
+      var point = { x: xs[i], y: ys[i], row: rowOffset + (rows ? rows[i] : i + 1) };
+      if (rs) {
+        point.r = rs[i];
+      }
+      points.push(point);
+    }
+
+    return points;
+  }
+
+  // Highest row number of a batch, so later batches continue after it.
+  function lastRow(columns, rowOffset) {
+    if (columns.row === undefined) {
+      return rowOffset + toArray(columns.x).length;
+    }
+    return rowOffset + toArray(columns.row).reduce(function(last, row) {
+      return Math.max(last, row);
+    }, 0);
+  }
+
+  function isSorted(points) {
+    for (var i = 1; i < points.length; i++) {
+      if (points[i].x < points[i - 1].x) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Index of the first point with x >= value.
+  function lowerBound(points, value) {
+    var low = 0;
+    var high = points.length;
+    while (low < high) {
+      var middle = (low + high) >>> 1;
+      if (points[middle].x < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  // Points inside [min, max], plus one neighbour on each side for lines so
+  // they still run to the edge of the chart area.
+  function visiblePoints(points, min, max, edges) {
+    var start = isNumber(min) ? lowerBound(points, min) : 0;
+    var end = isNumber(max) ? lowerBound(points, max) : points.length;
+
+    while (end < points.length && points[end].x === max) {
+      end++;
+    }
+    if (edges) {
+      start = Math.max(start - 1, 0);
+      end = Math.min(end + 1, points.length);
+    }
+
+    return points.slice(start, end);
+  }
+
+  // Largest-Triangle-Three-Buckets: keeps the visual shape of a series with
+  // `threshold` points.
+  function lttb(points, threshold) {
+    var count = points.length;
+    if (threshold >= count || threshold < 3) {
+      return points;
+    }
+
+    var sampled = [points[0]];
+    var every = (count - 2) / (threshold - 2);
+    var anchor = 0;
+
+    for (var i = 0; i < threshold - 2; i++) {
+      var averageStart = Math.floor((i + 1) * every) + 1;
+      var averageEnd = Math.min(Math.floor((i + 2) * every) + 1, count);
+      var averageX = 0;
+      var averageY = 0;
+
+      for (var j = averageStart; j < averageEnd; j++) {
+        averageX += points[j].x;
+        averageY += points[j].y;
+      }
+      var length = Math.max(averageEnd - averageStart, 1);
+      averageX /= length;
+      averageY /= length;
+
+      var rangeStart = Math.floor(i * every) + 1;
+      var rangeEnd = Math.floor((i + 1) * every) + 1;
+      var origin = points[anchor];
+      var maxArea = -1;
+      var next = rangeStart;
+
+      for (var k = rangeStart; k < rangeEnd; k++) {
+        var area = Math.abs(
+          (origin.x - averageX) * (points[k].y - origin.y) -
+          (origin.x - points[k].x) * (averageY - origin.y)
+        );
+        if (area > maxArea) {
+          maxArea = area;
+          next = k;
+        }
+      }
+
+      sampled.push(points[next]);
+      anchor = next;
+    }
+
+    sampled.push(points[count - 1]);
+    return sampled;
+  }
+
+  // Min-max: for every pixel column keep the first, lowest, highest and last
+  // point, so spikes are never lost.
+  function minMax(points, buckets) {
+    if (points.length <= buckets * 4) {
+      return points;
+    }
+
+    var first = points[0].x;
+    var span = (points[points.length - 1].x - first) || 1;
+    var sampled = [];
+    var current = -1;
+    var group = null;
+
+    function flush() {
+      if (!group) {
+        return;
+      }
+      [group.first, group.low, group.high, group.last]
+        .sort(function(a, b) {
+          return a - b;
+        })
+        .forEach(function(index, position, indices) {
+          if (position === 0 || index !== indices[position - 1]) {
+            sampled.push(points[index]);
+          }
+        });
+    }
+
+    for (var i = 0; i < points.length; i++) {
+      var bucket = Math.min(Math.floor((points[i].x - first) / span * buckets), buckets - 1);
+
+      if (bucket !== current) {
+        flush();
+        current = bucket;
+        group = { first: i, low: i, high: i, last: i };
+        continue;
+      }
+
+      group.last = i;
+      if (points[i].y < points[group.low].y) {
+        group.low = i;
+      }
+      if (points[i].y > points[group.high].y) {
+        group.high = i;
+      }
+    }
+    flush();
+
+    return sampled;
+  }
+
+  function downsample(points, settings, width) {
+    var samples = settings.samples || Math.max(Math.round(width), 10);
+    var threshold = settings.threshold || samples;
+
+    if (settings.method === 'none' || points.length <= threshold) {
+      return points;
+    }
+    if (settings.method === 'minmax') {
+      return minMax(points, samples);
+    }
+    return lttb(points, samples);
+  }
+
+  function create(settings) {
+    var options = {};
+    Object.keys(DEFAULTS).forEach(function(key) {
+      options[key] = settings && settings[key] !== undefined && settings[key] !== null ?
+        settings[key] :
+        DEFAULTS[key];
+    });
+
+    function adopt(dataset, rowOffset) {
+      var offset = rowOffset || 0;
+      var points = expand(dataset.columns, offset);
+      if (!isSorted(points)) {
+        points.sort(byPosition);
+      }
+
+      Object.defineProperty(dataset, '$large', {
+        value: { points: points, last: lastRow(dataset.columns, offset), key: null },
+        writable: true,
+        configurable: true
+      });
+      delete dataset.columns;
+      dataset.data = [];
+    }
+
+    // Rows received so far across all datasets. Appended batches are numbered
+    // after it, so grouped datasets keep the rows of the whole data.
+    function rowCount(chart) {
+      return (chart.data.datasets || []).reduce(function(count, dataset) {
+        return dataset.$large ? Math.max(count, dataset.$large.last) : count;
+      }, 0);
+    }
+
+    function append(dataset, columns, maxPoints, rowOffset) {
+      var large = dataset.$large;
+      if (!large) {
+        return false;
+      }
+
+      var points = large.points;
+      Array.prototype.push.apply(points, expand(columns, rowOffset));
+      large.last = Math.max(large.last, lastRow(columns, rowOffset));
+      if (!isSorted(points)) {
+        points.sort(byPosition);
+      }
+      if (maxPoints && points.length > maxPoints) {
+        points.splice(0, points.length - maxPoints);
+      }
+
+      large.key = null;
+      return true;
+    }
+
+    return {
+      id: 'chartjsLarge',
+
+      beforeUpdate: function(chart) {
+        // The chart area is laid out after this hook, so on resize it still
+        // has the old size; the canvas width is already up to date.
+        var width = chart.width;
+
+        (chart.data.datasets || []).forEach(function(dataset) {
+          if (dataset.columns) {
+            adopt(dataset);
+          }
+
+          var large = dataset.$large;
+          if (!large) {
+            return;
+          }
+
+          var scales = chart.options.scales || {};
+          var scale = scales[dataset.xAxisID || 'x'] || {};
+          var key = [width, scale.min, scale.max, large.points.length].join('|');
+          if (key === large.key) {
+            return;
+          }
+
+          large.key = key;
+          var edges = dataset.showLine !== false && (dataset.type || chart.config.type) === 'line';
+          var visible = visiblePoints(large.points, scale.min, scale.max, edges);
+          dataset.data = downsample(visible, options, width);
+        });
+      },
+
+      adopt: adopt,
+      rowCount: rowCount,
+      append: append
+    };
+  }
+
+  window.ChartjsLarge = {
+    create: create
+  };
+})();
@@ -0,0 +1,553 @@
+(function() {
+  var MODIFIERS = {
+    alt: 'altKey',
+    ctrl: 'ctrlKey',
+    meta: 'metaKey',
+    shift: 'shiftKey'
+  };
+
+  var DEFAULTS = {
+    enabled: false,
+    mode: 'x',
+    wheel: { enabled: true, speed: 0.1, modifierKey: null },
+    pinch: { enabled: true },
+    drag: { enabled: false, modifierKey: null },
+    pan: { enabled: true, modifierKey: null },
+    limits: {},
+    resetButton: true
+  };
+
+  function isMissing(value) {
+    return value === null || value === undefined;
+  }
+
+  // Drags only start with exactly the configured modifier so they never steal
+  // shift-click selection or brushing from the binding.
+  function dragModifierMatches(event, key) {
+    if (!key) {
+      return !event.altKey && !event.ctrlKey && !event.metaKey && !event.shiftKey;
+    }
+    return !!event[MODIFIERS[key]];
+  }
+
+  function wheelModifierMatches(event, key) {
+    return !key || !!event[MODIFIERS[key]];
+  }
+
+  function canvasPosition(canvas, point) {
+    var rect = canvas.getBoundingClientRect();
+    return { x: point.clientX - rect.left, y: point.clientY - rect.top };
+  }
+
+  function isInsideArea(position, area) {
+    return area && position.x >= area.left && position.x <= area.right &&
+      position.y >= area.top && position.y <= area.bottom;
+  }
+
+  function zoomScales(chart, mode) {
+    return Object.keys(chart.scales || {}).map(function(id) {
+      return chart.scales[id];
+    }).filter(function(scale) {
+      return (mode || 'x').indexOf(scale.axis) !== -1;
+    });
+  }
+
+  function pixelExtent(scale) {
+    return scale.isHorizontal() ?
+      { start: scale.left, end: scale.right } :
+      { start: scale.top, end: scale.bottom };
+  }
+
+  function toScaleValue(scale, value) {
+    if (isMissing(value)) {
+      return value;
+    }
+    if (scale.type === 'category' && typeof value === 'string') {
+      var index = scale.getLabels().indexOf(value);
+      return index === -1 ? undefined : index;
+    }
+    return value;
+  }
+
+  function fromScaleValue(scale, value) {
+    if (scale.type === 'category') {
+      return scale.getLabelForValue(Math.round(value));
+    }
+    return value;
+  }
+
+  function clampRange(scale, min, max, limits) {
+    if (scale.type === 'category') {
+      var last = scale.getLabels().length - 1;
+      limits = { min: 0, max: last };
+    }
+    if (!limits) {
+      return { min: min, max: max };
+    }
+
+    var low = toScaleValue(scale, limits.min);
+    var high = toScaleValue(scale, limits.max);
+    var width = max - min;
+
+    if (!isMissing(low) && !isMissing(high) && width > high - low) {
+      return { min: low, max: high };
+    }
+    if (!isMissing(low) && min < low) {
+      return { min: low, max: low + width };
+    }
+    if (!isMissing(high) && max > high) {
+      return { min: high - width, max: high };
+    }
+    return { min: min, max: max };
+  }
+
+  function create(callbacks) {
+    callbacks = callbacks || {};
+
+    var chart = null;
+    var options = DEFAULTS;
+    var originals = {};
+    var listeners = [];
+    var drag = null;
+    var touch = null;
+    var suppressClick = false;
+    var resetButton = null;
+
+    function enabled(feature) {
+      return options && options.enabled && (!feature || (options[feature] && options[feature].enabled));
+    }
+
+    function saveOriginal(scale) {
+      if (!(scale.id in originals)) {
+        var scaleOptions = chart.options.scales[scale.id] || {};
+        originals[scale.id] = { min: scaleOptions.min, max: scaleOptions.max };
+      }
+    }
+
+    function applyRange(scale, min, max) {
+      if (isMissing(min) || isMissing(max) || isNaN(min) || isNaN(max)) {
+        return;
+      }
+
+      if (scale.type === 'category') {
+        min = Math.round(min);
+        max = Math.round(max);
+      }
+      if (max < min) {
+        return;
+      }
+
+      var limits = options.limits ? options.limits[scale.axis] : null;
+      var range = clampRange(scale, min, max, limits);
+
+      saveOriginal(scale);
+      chart.options.scales[scale.id].min = range.min;
+      chart.options.scales[scale.id].max = range.max;
+    }
+
+    function setPixelRange(scale, from, to) {
+      var a = scale.getValueForPixel(from);
+      var b = scale.getValueForPixel(to);
+      applyRange(scale, Math.min(a, b), Math.max(a, b));
+    }
+
+    function isZoomed() {
+      return Object.keys(originals).length > 0;
+    }
+
+    function getRange() {
+      var range = { zoomed: isZoomed() };
+      if (!chart) {
+        return range;
+      }
+
+      Object.keys(chart.scales || {}).forEach(function(id) {
+        var scale = chart.scales[id];
+        if (scale.axis === 'x' || scale.axis === 'y') {
+          range[id] = {
+            min: fromScaleValue(scale, scale.min),
+            max: fromScaleValue(scale, scale.max)
+          };
+        }
+      });
+      return range;
+    }
+
+    function updateResetButton() {
+      if (!resetButton) {
+        return;
+      }
+      resetButton.style.display = options.resetButton && isZoomed() ? '' : 'none';
+    }
+
+    function changed() {
+      chart.update('none');
+      updateResetButton();
+      if (typeof callbacks.onRangeChange === 'function') {
+        callbacks.onRangeChange(chart, getRange());
+      }
+    }
+
+    function zoom(factor, center) {
+      zoomScales(chart, options.mode).forEach(function(scale) {
+        var extent = pixelExtent(scale);
+        var pivot = scale.isHorizontal() ? center.x : center.y;
+        setPixelRange(
+          scale,
+          pivot + (extent.start - pivot) * factor,
+          pivot + (extent.end - pivot) * factor
+        );
+      });
+      changed();
+    }
+
+    function resetZoom(silent) {
+      if (!chart) {
+        return;
+      }
+
+      Object.keys(originals).forEach(function(id) {
+        if (chart.options.scales[id]) {
+          chart.options.scales[id].min = originals[id].min;
+          chart.options.scales[id].max = originals[id].max;
+        }
+      });
+      originals = {};
+
+      if (silent) {
+        chart.update('none');
+        updateResetButton();
+      } else {
+        changed();
+      }
+    }
+
+    function setRange(ranges, silent) {
+      if (!chart) {
+        return;
+      }
+      if (!ranges) {
+        resetZoom(silent);
+        return;
+      }
+
+      Object.keys(chart.scales || {}).forEach(function(id) {
+        var scale = chart.scales[id];
+        var range = ranges[id];
+        if (!range) {
+          return;
+        }
+        applyRange(
+          scale,
+          isMissing(range.min) ? scale.min : toScaleValue(scale, range.min),
+          isMissing(range.max) ? scale.max : toScaleValue(scale, range.max)
+        );
+      });
+
+      if (silent) {
+        chart.update('none');
+        updateResetButton();
+      } else {
+        changed();
+      }
+    }
+
+    function startPan(point) {
+      drag = {
+        type: 'pan',
+        origin: canvasPosition(chart.canvas, point),
+        moved: false,
+        scales: zoomScales(chart, options.mode).map(function(scale) {
+          var extent = pixelExtent(scale);
+          var log = scale.type === 'logarithmic';
+          var first = scale.getValueForPixel(extent.start);
+          var last = scale.getValueForPixel(extent.end);
+          if (log) {
+            first = Math.log10(first);
+            last = Math.log10(last);
+          }
+          return {
+            scale: scale,
+            log: log,
+            min: log ? Math.log10(scale.min) : scale.min,
+            max: log ? Math.log10(scale.max) : scale.max,
+            perPixel: (last - first) / (extent.end - extent.start)
+          };
+        })
+      };
+    }
+
+    function movePan(point) {
+      var position = canvasPosition(chart.canvas, point);
+      var dx = position.x - drag.origin.x;
+      var dy = position.y - drag.origin.y;
+
+      if (Math.abs(dx) + Math.abs(dy) > 2) {
+        drag.moved = true;
+      }
+
+      drag.scales.forEach(function(item) {
+        var delta = item.scale.isHorizontal() ? dx : dy;
+        var shift = -delta * item.perPixel;
+        if (item.scale.type === 'category') {
+          shift = Math.round(shift);
+        }
+
+        var min = item.min + shift;
+        var max = item.max + shift;
+        if (item.log) {
+          min = Math.pow(10, min);
+          max = Math.pow(10, max);
+        }
+        applyRange(item.scale, min, max);
+      });
+      changed();
+    }
+
+    function drawBox(position) {
+      var area = chart.chartArea;
+      var mode = options.mode || 'x';
+      var left = Math.min(drag.origin.x, position.x);
+      var right = Math.max(drag.origin.x, position.x);
+      var top = Math.min(drag.origin.y, position.y);
+      var bottom = Math.max(drag.origin.y, position.y);
+
+      if (mode.indexOf('x') === -1) {
+        left = area.left;
+        right = area.right;
+      }
+      if (mode.indexOf('y') === -1) {
+        top = area.top;
+        bottom = area.bottom;
+      }
+
+      drag.bounds = {
+        left: Math.max(left, area.left),
+        right: Math.min(right, area.right),
+        top: Math.max(top, area.top),
+        bottom: Math.min(bottom, area.bottom)
+      };
+
+      var style = drag.overlay.style;
+      style.left = (chart.canvas.offsetLeft + drag.bounds.left) + 'px';
+      style.top = (chart.canvas.offsetTop + drag.bounds.top) + 'px';
+      style.width = (drag.bounds.right - drag.bounds.left) + 'px';
+      style.height = (drag.bounds.bottom - drag.bounds.top) + 'px';
+    }
+
+    function startBox(point) {
+      var overlay = document.createElement('div');
+      overlay.className = 'chartjs-zoom-box';
+      chart.canvas.parentNode.appendChild(overlay);
+
+      drag = { type: 'box', origin: canvasPosition(chart.canvas, point), overlay: overlay, moved: false };
+      drawBox(drag.origin);
+    }
+
+    function finishBox() {
+      var bounds = drag.bounds;
+      drag.overlay.parentNode.removeChild(drag.overlay);
+
+      if (!bounds || (bounds.right - bounds.left < 5 && bounds.bottom - bounds.top < 5)) {
+        return;
+      }
+
+      drag.moved = true;
+      zoomScales(chart, options.mode).forEach(function(scale) {
+        if (scale.isHorizontal()) {
+          setPixelRange(scale, bounds.left, bounds.right);
+        } else {
+          setPixelRange(scale, bounds.top, bounds.bottom);
+        }
+      });
+      changed();
+    }
+
+    function listen(target, type, handler, settings) {
+      target.addEventListener(type, handler, settings || false);
+      listeners.push({ target: target, type: type, handler: handler, settings: settings || false });
+    }
+
+    function onMouseMove(event) {
+      if (!drag) {
+        return;
+      }
+      if (drag.type === 'pan') {
+        movePan(event);
+      } else {
+        drag.moved = true;
+        drawBox(canvasPosition(chart.canvas, event));
+      }
+    }
+
+    function onMouseUp() {
+      document.removeEventListener('mousemove', onMouseMove);
+      document.removeEventListener('mouseup', onMouseUp);
+
+      if (!drag) {
+        return;
+      }
+      if (drag.type === 'box') {
+        finishBox();
+      }
+      suppressClick = drag.moved;
+      drag = null;
+    }
+
+    function onMouseDown(event) {
+      if (event.button !== 0 || !isInsideArea(canvasPosition(chart.canvas, event), chart.chartArea)) {
+        return;
+      }
+
+      if (enabled('drag') && dragModifierMatches(event, options.drag.modifierKey)) {
+        startBox(event);
+      } else if (enabled('pan') && dragModifierMatches(event, options.pan.modifierKey)) {
+        startPan(event);
+      } else {
+        return;
+      }
+
+      event.stopPropagation();
+      event.preventDefault();
+      document.addEventListener('mousemove', onMouseMove);
+      document.addEventListener('mouseup', onMouseUp);
+    }
+
+    function onClick(event) {
+      if (suppressClick) {
+        suppressClick = false;
+        event.stopPropagation();
+      }
+    }
+
+    function onWheel(event) {
+      if (!enabled('wheel') || !wheelModifierMatches(event, options.wheel.modifierKey)) {
+        return;
+      }
+
+      var position = canvasPosition(chart.canvas, event);
+      if (!isInsideArea(position, chart.chartArea)) {
+        return;
+      }
+
+      event.preventDefault();
+      var speed = options.wheel.speed || 0.1;
+      zoom(event.deltaY < 0 ? 1 - speed : 1 / (1 - speed), position);
+    }
+
+    function touchDistance(touches) {
+      var dx = touches[0].clientX - touches[1].clientX;
+      var dy = touches[0].clientY - touches[1].clientY;
+      return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    function touchCenter(touches) {
+      return canvasPosition(chart.canvas, {
+        clientX: (touches[0].clientX + touches[1].clientX) / 2,
+        clientY: (touches[0].clientY + touches[1].clientY) / 2
+      });
+    }
+
+    function onTouchStart(event) {
+      if (event.touches.length === 2 && enabled('pinch')) {
+        touch = { distance: touchDistance(event.touches) };
+        event.preventDefault();
+      } else if (event.touches.length === 1 && enabled('pan') && !options.pan.modifierKey &&
+                 isInsideArea(canvasPosition(chart.canvas, event.touches[0]), chart.chartArea)) {
+        startPan(event.touches[0]);
+        event.preventDefault();
+      }
+    }
+
+    function onTouchMove(event) {
+      if (touch && event.touches.length === 2) {
+        var distance = touchDistance(event.touches);
+        if (distance > 0) {
+          zoom(touch.distance / distance, touchCenter(event.touches));
+          touch.distance = distance;
+        }
+        event.preventDefault();
+      } else if (drag && drag.type === 'pan' && event.touches.length === 1) {
+        movePan(event.touches[0]);
+        event.preventDefault();
+      }
+    }
+
+    function onTouchEnd() {
+      touch = null;
+      drag = null;
+    }
+
+    function attach() {
+      var canvas = chart.canvas;
+
+      listen(canvas, 'mousedown', onMouseDown);
+      listen(canvas, 'click', onClick);
+      listen(canvas, 'wheel', onWheel, { passive: false });
+      listen(canvas, 'touchstart', onTouchStart, { passive: false });
+      listen(canvas, 'touchmove', onTouchMove, { passive: false });
+      listen(canvas, 'touchend', onTouchEnd);
+      listen(canvas, 'dblclick', function() {
+        if (enabled() && isZoomed()) {
+          resetZoom();
+        }
+      });
+
+      if (canvas.parentNode) {
+        resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.className = 'chartjs-zoom-reset';
+        resetButton.textContent = 'Reset zoom';
+        resetButton.style.display = 'none';
+        resetButton.addEventListener('click', function() {
+          resetZoom();
+        });
+        canvas.parentNode.appendChild(resetButton);
+      }
+    }
+
+    function detach() {
+      listeners.forEach(function(listener) {
+        listener.target.removeEventListener(listener.type, listener.handler, listener.settings);
+      });
+      listeners = [];
+      document.removeEventListener('mousemove', onMouseMove);
+      document.removeEventListener('mouseup', onMouseUp);
+
+      if (resetButton && resetButton.parentNode) {
+        resetButton.parentNode.removeChild(resetButton);
+      }
+      resetButton = null;
+    }
+
+    return {
+      id: 'zoom',
+      defaults: DEFAULTS,
+
+      afterInit: function(instance, args, pluginOptions) {
+        chart = instance;
+        options = pluginOptions;
+        attach();
+      },
+
+      afterUpdate: function(instance, args, pluginOptions) {
+        options = pluginOptions;
+        updateResetButton();
+      },
+
+      afterDestroy: function() {
+        detach();
+        chart = null;
+      },
+
+      resetZoom: resetZoom,
+      setRange: setRange,
+      getRange: getRange,
+      isZoomed: isZoomed
+    };
+  }
+
+  window.ChartjsZoom = {
+    create: create
+  };
+})();